@@ -0,0 +1,43 @@
+/*
+ * House Points ledger rules
+ *
+ * How the transaction ledger adds up to student and house totals. The app
+ * (index.html loads this before script.js) and the optional sync server
+ * (server.js) both use this file, so the two always agree on the totals.
+ * Keep it free of browser and Node specifics.
+ */
+
+// Transactions waiting for approval, rejected or voided do not change any totals
+function countsTowardTotals(txn) {
+    return !txn.voided && (!txn.status || txn.status === 'approved');
+}
+
+// Sum the ledger into totals keyed by student id and house id. A student's
+// total is the points they have earned. A house's total is every transaction
+// recorded against it, except those for students who have since been deleted.
+// Transfer entries (see transferStudent) only move points between houses.
+// Reward redemptions (see redeemReward) spend points without changing either
+// total; what a student has left to spend is worked out from them separately.
+function computeTotals(data) {
+    const students = {};
+    const houses = {};
+    const studentIds = new Set(data.students.map(s => s.id));
+    data.students.forEach(s => { students[s.id] = 0; });
+    data.houses.forEach(h => { houses[h.id] = 0; });
+    data.transactions.forEach(txn => {
+        if (!countsTowardTotals(txn) || txn.type === 'redemption') return;
+        const hasStudent = txn.studentId !== null && txn.studentId !== undefined;
+        if (hasStudent && !studentIds.has(txn.studentId)) return;
+        if (txn.type === 'transfer') {
+            if (txn.fromHouseId in houses) houses[txn.fromHouseId] -= txn.amount;
+        } else if (hasStudent) {
+            students[txn.studentId] += txn.amount;
+        }
+        if (txn.houseId in houses) houses[txn.houseId] += txn.amount;
+    });
+    return { students, houses };
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { countsTowardTotals, computeTotals };
+}
@@ -0,0 +1,224 @@
+/*
+ * House Points award rules
+ *
+ * The school-wide settings and the checks that read them: who may give
+ * points to which students, how many, and which transactions wait for
+ * approval. The app (index.html loads this before script.js) and the
+ * optional sync server (server.js) both use this file, so a device and the
+ * server never disagree about what is allowed. Like ledger.js, keep it free
+ * of browser and Node specifics.
+ */
+
+// The admin role always has every capability and cannot be edited
+const ADMIN_ROLE_ID = 'admin';
+
+// Grade levels until an admin sets their own (settings.gradeLevels), in
+// school order. `key` is stored on students and teachers' grade access;
+// `aliases` are other ways the grade is written, e.g. in imported files.
+const DEFAULT_GRADE_LEVELS = [
+    { key: 'K', label: 'Kindergarten', aliases: ['Kinder', 'KG'] },
+    { key: '1', label: '1st Grade', aliases: ['1st', 'First'] },
+    { key: '2', label: '2nd Grade', aliases: ['2nd', 'Second'] },
+    { key: '3', label: '3rd Grade', aliases: ['3rd', 'Third'] },
+    { key: '4', label: '4th Grade', aliases: ['4th', 'Fourth'] },
+    { key: '5', label: '5th Grade', aliases: ['5th', 'Fifth'] }
+];
+
+// Read a free-text grade ("Kindergarten", "2nd Grade", "Year 7") as the key
+// of one of `levels`, or '' if none matches. Keys, labels and aliases match
+// ignoring case and spacing. Failing that, a number in the text ("Grade 3")
+// matches the level whose key or alias is that number.
+function normalizeGrade(g, levels) {
+    if (g === undefined || g === null) return '';
+    const clean = text => String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+    const s = clean(g);
+    if (!s) return '';
+    const names = level => [level.key, level.label].concat(level.aliases || []).map(clean);
+    const exact = levels.find(level => names(level).includes(s));
+    if (exact) return exact.key;
+    const m = s.match(/\d+/);
+    if (!m) return '';
+    const number = String(parseInt(m[0], 10));
+    const byNumber = levels.find(level => names(level).includes(number));
+    return byNumber ? byNumber.key : '';
+}
+
+
+// Admin-configurable settings and their defaults (stored in data.settings)
+const DEFAULT_SETTINGS = {
+    passwordPolicy: {
+        minLength: 8,
+        requireLetterAndNumber: true,
+        // Number of most recent passwords (including the current one) that cannot be reused
+        rememberPrevious: 3
+    },
+    session: {
+        // Lock the screen after this many minutes without activity (0 disables)
+        idleLockMinutes: 10,
+        // Sign out completely this many hours after login (0 disables)
+        maxSessionHours: 12
+    },
+    // Points a teacher may give or take, counted in either direction (0 disables).
+    // Teachers can have their own values in user.awardLimits.
+    awardLimits: {
+        maxPerTransaction: 50,
+        // Per student, counting only this teacher's transactions
+        maxPerStudentPerDay: 100,
+        // Over the last seven days
+        maxPerTeacherPerWeek: 1000
+    },
+    // Year groups used on every page that shows grades (see normalizeGrade)
+    gradeLevels: DEFAULT_GRADE_LEVELS,
+    approvals: {
+        // Transactions of more than this many points wait for approval (0 disables)
+        threshold: 0
+    },
+    // Which students a teacher may give points to (see canAccessStudent).
+    // Grade access and assigned students count when the teacher has any.
+    studentAccess: {
+        // Also use the teacher's own house as a rule
+        includeOwnHouse: false,
+        // 'union': any rule lets a student in; 'intersection': all rules must
+        combine: 'union'
+    },
+    // Minutes after a transaction during which the teacher who made it may
+    // amend, void or restore it (0 removes the time limit). Users who can see
+    // all transactions are not limited.
+    editGraceMinutes: 15,
+    // Thresholds for the Alerts page (0 turns a check off)
+    alerts: {
+        lookbackDays: 14,
+        largeTransaction: 25,
+        deductionsPerStudentPerWeek: 3,
+        teacherPointsPerDay: 200
+    }
+};
+
+// Fill in any settings missing from stored data with their defaults
+function withDefaultSettings(settings) {
+    const merged = Object.assign({}, settings || {});
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        const def = DEFAULT_SETTINGS[key];
+        if (def && typeof def === 'object' && !Array.isArray(def)) {
+            merged[key] = Object.assign({}, def, merged[key] || {});
+        } else if (merged[key] === undefined) {
+            merged[key] = def;
+        }
+    });
+    return merged;
+}
+
+
+// Whether a user's role grants a capability, with the roles in `data`
+function roleAllows(data, user, capability) {
+    if (user.role === ADMIN_ROLE_ID) return true;
+    const role = data.roles.find(r => r.id === user.role);
+    return !!role && Array.isArray(role.capabilities) && role.capabilities.includes(capability);
+}
+
+// Award limits for a user: the school-wide settings with their own overrides
+function getAwardLimits(data, user) {
+    const account = data.users.find(u => u.username === user.username);
+    return Object.assign({}, data.settings.awardLimits, (account && account.awardLimits) || {});
+}
+
+// Check awarding `amount` to each of `students` against the user's limits.
+// `students` is empty for a house award, which counts once toward the
+// weekly limit. Returns an error message, or '' when the award is allowed.
+function awardLimitError(data, user, students, amount) {
+    const limits = getAwardLimits(data, user);
+    const size = Math.abs(amount);
+    if (limits.maxPerTransaction && size > limits.maxPerTransaction) {
+        return `You can give or take at most ${limits.maxPerTransaction} point(s) at a time.`;
+    }
+    const now = Date.now();
+    const today = new Date().toDateString();
+    const own = data.transactions.filter(t => t.teacherUsername === user.username && t.type === undefined && t.status !== 'rejected' && !t.voided);
+    if (limits.maxPerStudentPerDay) {
+        for (const student of students) {
+            const given = own.filter(t => t.studentId === student.id && new Date(t.timestamp).toDateString() === today)
+                .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+            if (given + size > limits.maxPerStudentPerDay) {
+                return `${student.name} has already had ${given} point(s) from you today; the daily limit per student is ${limits.maxPerStudentPerDay}.`;
+            }
+        }
+    }
+    if (limits.maxPerTeacherPerWeek) {
+        const weekAgo = now - 7 * 24 * 60 * 60 * 1000;
+        const given = own.filter(t => new Date(t.timestamp).getTime() > weekAgo).reduce((sum, t) => sum + Math.abs(t.amount), 0);
+        if (given + size * Math.max(students.length, 1) > limits.maxPerTeacherPerWeek) {
+            return `This would take you past your limit of ${limits.maxPerTeacherPerWeek} point(s) in seven days (${given} used).`;
+        }
+    }
+    return '';
+}
+
+// Whether a user may give points to a student. The rules are the user's
+// grade access, the classes they teach, their assigned students and, if
+// turned on in settings, their own house. Rules with nothing set are left
+// out; a user with no rules at all can only reach students through
+// award_any_student.
+function canAccessStudent(user, student, data) {
+    if (roleAllows(data, user, 'award_any_student')) return true;
+    const access = data.settings.studentAccess;
+    const checks = [];
+    const levels = data.settings.gradeLevels;
+    // Grades that are not one of the school's levels (e.g. since removed)
+    // are dropped, and a student with no recognised grade matches none
+    const grades = Array.isArray(user.gradeAccess) ? user.gradeAccess.map(g => normalizeGrade(g, levels)).filter(Boolean) : [];
+    if (grades.length) {
+        const grade = normalizeGrade(student.grade, levels);
+        checks.push(grade !== '' && grades.includes(grade));
+    }
+    const taught = data.classes.filter(c => c.teacherUsernames.includes(user.username)).map(c => c.id);
+    if (taught.length) checks.push(taught.includes(student.classId));
+    const assigned = Array.isArray(user.accessibleStudentIds) ? user.accessibleStudentIds : [];
+    if (assigned.length) checks.push(assigned.includes(student.id));
+    if (access.includeOwnHouse && user.houseId) checks.push(student.houseId === user.houseId);
+    if (checks.length === 0) return false;
+    return access.combine === 'intersection' ? checks.every(Boolean) : checks.some(Boolean);
+}
+
+// When a transaction was made, in milliseconds. The device sets timestamp,
+// so the time the server received it caps it.
+function transactionMadeAt(txn) {
+    const made = new Date(txn.timestamp).getTime();
+    const received = new Date(txn.receivedAt).getTime();
+    if (isNaN(received)) return made;
+    return isNaN(made) ? received : Math.min(made, received);
+}
+
+// Whether a user may amend, void or restore a transaction. Users without
+// access to every transaction may only change their own, and only within
+// settings.editGraceMinutes of making it. Transfers cannot be changed.
+function canChangeTransaction(data, user, txn) {
+    if (!roleAllows(data, user, 'delete_transactions')) return false;
+    // Voiding a transfer would move the points back but leave the student in
+    // the new house; a transfer is undone by moving the student back instead
+    if (txn.type === 'transfer') return false;
+    if (roleAllows(data, user, 'view_all_transactions')) return true;
+    if (txn.teacherUsername !== user.username) return false;
+    const grace = data.settings.editGraceMinutes;
+    return !grace || Date.now() - transactionMadeAt(txn) <= grace * 60 * 1000;
+}
+
+// Whether a new transaction of `amount` from `user` must wait for approval
+function needsApproval(data, user, amount) {
+    const threshold = data.settings.approvals.threshold;
+    return threshold > 0 && Math.abs(amount) > threshold && !roleAllows(data, user, 'approve_transactions');
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        ADMIN_ROLE_ID,
+        DEFAULT_GRADE_LEVELS,
+        DEFAULT_SETTINGS,
+        normalizeGrade,
+        withDefaultSettings,
+        roleAllows,
+        needsApproval,
+        awardLimitError,
+        canAccessStudent,
+        canChangeTransaction
+    };
+}
@@ -0,0 +1,647 @@
+/*
+ * House Points sync server (optional)
+ *
+ * A small self-hosted HTTP server that lets several classroom devices share
+ * one points database over the local network. It has no dependencies beyond
+ * Node.js itself and keeps everything in a single JSON file.
+ *
+ *   SYNC_TOKEN=choose-a-long-secret node server.js
+ *
+ * Environment variables:
+ *   SYNC_TOKEN         required shared secret; clients send it in the
+ *                      X-Sync-Token header (set the same token in Settings > Sync)
+ *   PORT               port to listen on (default 8787)
+ *   HOUSE_POINTS_DATA  path of the JSON data file (default ./house-points-server.json)
+ *   SYNC_SESSION_HOURS how long a sign-in lasts (default 12)
+ *   SYNC_SETUP_CODE    one-time code for setting up an empty server (default:
+ *                      a random code, printed at startup while it is needed)
+ *
+ * Besides the shared token, every request except sign-in carries the
+ * X-Sync-Session header from POST /api/session, so the server knows which
+ * account is asking and checks that account's role before any change, the
+ * same way the app does. Password hashes are never sent to other devices.
+ *
+ * Keep ledger.js and rules.js next to this file. They hold the rules for
+ * adding up totals and for what each account may record, shared with the app.
+ *
+ * Each device still opens the app itself (index.html) and turns on sync in
+ * the Settings tab. The app needs a secure context for password hashing, so
+ * open it from disk or over https rather than from this server.
+ *
+ * Endpoints (JSON):
+ *   GET    /api/health
+ *   POST   /api/session                                  sign in with { username, password }
+ *   DELETE /api/session                                  sign out
+ *   GET    /api/{houses|students|rewards|users|roles|reasonCategories|classes}
+ *   PUT    /api/{houses|students|rewards|users|roles|reasonCategories|classes}
+ *                                                        replace the collection
+ *   PATCH  /api/{houses|students|rewards|users|roles|reasonCategories|classes}
+ *                                                        change records: { put: [...], remove: [ids] }
+ *   PUT    /api/users/:username                          replace one user (own password changes)
+ *   GET    /api/transactions[?since=ISO date]            newest changes after `since`
+ *   POST   /api/transactions                             record one transaction (idempotent by id)
+ *   PUT    /api/transactions/:id                         review, void or restore one transaction
+ *   DELETE /api/transactions/:id                         remove one transaction (backup imports)
+ *   GET    /api/settings                                 school-wide settings
+ *   PATCH  /api/settings                                 change some settings: { name: value, ... }
+ *   GET    /api/auditLog[?since=ISO date]                audit log entries received after `since`
+ *   POST   /api/auditLog                                 append entries (ids already known are skipped)
+ *
+ * While the server is empty, PUT /api/users is accepted without a session so
+ * that the first administrator to sign in can upload their data. It also
+ * needs the setup code in the X-Sync-Setup-Code header, so holding the
+ * shared token is not enough to create an administrator.
+ *
+ * The audit log only grows: entries are appended and never changed or
+ * removed, and each one records which account sent it.
+ *
+ * Student and house points are always recalculated from the transaction
+ * ledger, so the totals sent with PUTs of houses and students are ignored.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const util = require('util');
+const path = require('path');
+const { computeTotals } = require('./ledger');
+const { ADMIN_ROLE_ID, DEFAULT_SETTINGS, withDefaultSettings, roleAllows, needsApproval, awardLimitError, canAccessStudent, canChangeTransaction } = require('./rules');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const DATA_FILE = path.resolve(process.env.HOUSE_POINTS_DATA || path.join(__dirname, 'house-points-server.json'));
+const SYNC_TOKEN = process.env.SYNC_TOKEN || '';
+const SESSION_HOURS = parseFloat(process.env.SYNC_SESSION_HOURS) || 12;
+const SETUP_CODE = process.env.SYNC_SETUP_CODE || crypto.randomBytes(6).toString('hex');
+// Largest request body accepted (student photos and house logos are data URLs)
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// Collections that clients replace with PUT, and the capability needed to
+// change each one (the same as SYNC_COLLECTIONS in the app)
+const COLLECTIONS = {
+    houses: 'manage_houses',
+    students: 'manage_students',
+    rewards: 'manage_rewards',
+    users: 'manage_staff',
+    roles: 'manage_roles',
+    reasonCategories: 'manage_reasons',
+    classes: 'manage_classes'
+};
+// Fields of a user record that hold the password
+const PASSWORD_FIELDS = ['passwordHash', 'passwordHistory', 'passwordChangedAt'];
+
+const pbkdf2 = util.promisify(crypto.pbkdf2);
+
+if (!SYNC_TOKEN) {
+    console.error('Set SYNC_TOKEN to a shared secret before starting the sync server, e.g.');
+    console.error('  SYNC_TOKEN=choose-a-long-secret node server.js');
+    process.exit(1);
+}
+
+// Load the data file, creating an empty database on first run
+function loadState() {
+    if (!fs.existsSync(DATA_FILE)) {
+        return { schemaVersion: 2, houses: [], students: [], rewards: [], users: [], roles: [], reasonCategories: [], classes: [], transactions: [], auditLog: [], settings: withDefaultSettings({}), nextTransactionId: 1, sessions: {} };
+    }
+    const state = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    Object.keys(COLLECTIONS).concat('transactions', 'auditLog').forEach(name => {
+        if (!Array.isArray(state[name])) state[name] = [];
+    });
+    if (typeof state.nextTransactionId !== 'number') state.nextTransactionId = 1;
+    if (!state.sessions || typeof state.sessions !== 'object') state.sessions = {};
+    state.settings = withDefaultSettings(state.settings);
+    return state;
+}
+
+// Write via a temporary file so a crash never leaves a half-written database
+function saveState(state) {
+    const tmp = DATA_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+const state = loadState();
+
+// Rewrite student and house totals from the ledger, with the same rules as
+// the app (see ledger.js)
+function recalculateTotals() {
+    const totals = computeTotals(state);
+    state.students.forEach(s => { s.points = totals.students[s.id]; });
+    state.houses.forEach(h => { h.points = totals.houses[h.id]; });
+}
+
+// Older data files kept totals as counters. Record any difference from the
+// ledger as adjustment transactions so the totals people saw are kept.
+function reconcileOnce() {
+    if (state.schemaVersion >= 2) return;
+    const stored = {
+        students: new Map(state.students.map(s => [s.id, s.points || 0])),
+        houses: new Map(state.houses.map(h => [h.id, h.points || 0]))
+    };
+    const timestamp = new Date().toISOString();
+    const note = 'Opening balance: reconciles the stored total with the transaction history';
+    const addEntry = (studentId, houseId, amount) => {
+        state.transactions.push({ id: `reconcile-${state.nextTransactionId++}`, type: 'adjustment', timestamp, receivedAt: timestamp, teacherUsername: 'system', studentId, houseId, amount, note });
+    };
+    recalculateTotals();
+    state.students.forEach(s => {
+        const diff = stored.students.get(s.id) - s.points;
+        if (diff !== 0) addEntry(s.id, s.houseId, diff);
+    });
+    recalculateTotals();
+    state.houses.forEach(h => {
+        const diff = stored.houses.get(h.id) - h.points;
+        if (diff !== 0) addEntry(null, h.id, diff);
+    });
+    recalculateTotals();
+    state.schemaVersion = 2;
+    saveState(state);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve(null);
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (err) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// ---------------------------------------------------------------------------
+// Accounts and sessions
+// ---------------------------------------------------------------------------
+
+// Check a password against a hash record made by the app (PBKDF2-SHA256)
+async function verifyPassword(password, record) {
+    if (!record || !record.salt || !record.hash) return false;
+    const expected = Buffer.from(record.hash, 'base64');
+    const actual = await pbkdf2(String(password), Buffer.from(record.salt, 'base64'), record.iterations || 150000, expected.length || 32, 'sha256');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Sessions are stored by a hash of their token, so the data file holds nothing
+// that could be replayed
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokenMatches(given, expected) {
+    return crypto.timingSafeEqual(Buffer.from(hashToken(given), 'hex'), Buffer.from(hashToken(expected), 'hex'));
+}
+
+// The account making a request, or null without a valid session
+function sessionUser(req) {
+    const token = req.headers['x-sync-session'];
+    if (!token) return null;
+    const session = state.sessions[hashToken(token)];
+    if (!session || session.expiresAt < Date.now()) return null;
+    return state.users.find(u => u.username === session.username) || null;
+}
+
+// Same rule as can() in the app (see rules.js)
+function can(user, capability) {
+    return roleAllows(state, user, capability);
+}
+
+// A user record without its password, as other devices see it. The salt
+// lets a device tell whether its own copy of the hash is still current.
+function publicUser(user) {
+    const { passwordHash, passwordHistory, password, passwordSalt, ...rest } = user;
+    if (passwordHash && passwordHash.salt) rest.passwordSalt = passwordHash.salt;
+    return rest;
+}
+
+// JSON with object keys in a fixed order, to compare records from different devices
+function canonicalJson(value) {
+    if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).filter(k => value[k] !== undefined).sort()
+            .map(k => JSON.stringify(k) + ':' + canonicalJson(value[k])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+// A collection as sent to devices
+function publicCollection(name) {
+    return name === 'users' ? state.users.map(publicUser) : state[name];
+}
+
+async function signIn(body) {
+    if (state.users.length === 0) throw httpError(409, 'The sync server has no accounts yet');
+    const username = String((body && body.username) || '').toLowerCase();
+    const user = state.users.find(u => (u.username || '').toLowerCase() === username);
+    if (!user || !await verifyPassword(body.password, user.passwordHash)) throw httpError(401, 'Invalid username or password');
+    const now = Date.now();
+    Object.keys(state.sessions).forEach(key => {
+        if (state.sessions[key].expiresAt < now) delete state.sessions[key];
+    });
+    const token = crypto.randomBytes(32).toString('hex');
+    state.sessions[hashToken(token)] = { username: user.username, expiresAt: now + SESSION_HOURS * 3600000 };
+    saveState(state);
+    // The account's own record includes its password hash so the device can
+    // sign the user in while offline
+    return { token, user };
+}
+
+// ---------------------------------------------------------------------------
+// Changes to collections
+// ---------------------------------------------------------------------------
+
+// The stored record for a change to one account, after checking that the
+// caller may make it. `before` is null for a new account.
+function reviewUserChange(caller, before, after) {
+    const record = Object.assign({}, after);
+    delete record.password;
+    delete record.passwordSalt;
+    // Devices only send a password hash they have set themselves. Older or
+    // missing hashes never replace the stored one.
+    const newPassword = record.passwordHash && (!before || !before.passwordHash ||
+        (record.passwordChangedAt || '') > (before.passwordChangedAt || ''));
+    if (!newPassword) {
+        PASSWORD_FIELDS.forEach(field => {
+            if (before && before[field] !== undefined) record[field] = before[field];
+            else delete record[field];
+        });
+    }
+    const changed = newPassword || !before || canonicalJson(publicUser(before)) !== canonicalJson(publicUser(record));
+    if (!changed) return before;
+    if (!can(caller, 'manage_staff')) {
+        // Anyone may change their own password, and nothing else about their account
+        if (!before || before.username !== caller.username || !newPassword) throw httpError(403, 'You may only change your own password');
+        const own = Object.assign({}, before, { mustChangePassword: !!record.mustChangePassword });
+        PASSWORD_FIELDS.forEach(field => { own[field] = record[field]; });
+        return own;
+    }
+    const touchesAdmin = (before && before.role === ADMIN_ROLE_ID) || record.role === ADMIN_ROLE_ID;
+    if (touchesAdmin && caller.role !== ADMIN_ROLE_ID) throw httpError(403, 'Only administrators can change administrator accounts');
+    return record;
+}
+
+// Whether a device's copy of a student differs from the stored one only in
+// its class (totals are ignored; they come from the ledger)
+function onlyClassChanged(before, after) {
+    const rest = student => canonicalJson(Object.assign({}, student, { classId: undefined, points: undefined }));
+    return !!before && rest(before) === rest(after);
+}
+
+// Replace a collection with a device's copy, checking every record the copy
+// changes. Totals always come from the ledger.
+function replaceCollection(caller, name, items) {
+    const key = name === 'users' ? 'username' : 'id';
+    const stored = new Map(state[name].map(item => [String(item[key]), item]));
+    if (name === 'users') {
+        const kept = new Set(items.map(item => String(item.username)));
+        state[name].forEach(user => {
+            if (kept.has(String(user.username))) return;
+            if (!can(caller, 'manage_staff')) throw httpError(403, 'You may not remove accounts');
+            if (user.role === ADMIN_ROLE_ID && caller.role !== ADMIN_ROLE_ID) throw httpError(403, 'Only administrators can change administrator accounts');
+        });
+        items = items.map(item => reviewUserChange(caller, stored.get(String(item.username)) || null, item));
+    } else if (name === 'students' && !can(caller, 'manage_students') && can(caller, 'manage_classes')) {
+        // Managing classes includes putting students in them, and nothing else
+        const sent = new Set(items.map(item => String(item.id)));
+        if (state.students.some(student => !sent.has(String(student.id))) ||
+            items.some(item => !onlyClassChanged(stored.get(String(item.id)), item))) {
+            throw httpError(403, 'You may only change which class students are in');
+        }
+    } else {
+        if (!can(caller, COLLECTIONS[name])) throw httpError(403, `You may not change ${name}`);
+        if (name === 'roles') {
+            // The administrator role always has every capability
+            const admin = stored.get(ADMIN_ROLE_ID);
+            items = items.filter(role => role.id !== ADMIN_ROLE_ID);
+            if (admin) items.unshift(admin);
+        }
+    }
+    state[name] = items;
+    if (name === 'houses' || name === 'students') recalculateTotals();
+}
+
+// First upload to an empty server, before anyone can sign in
+function setUpAccounts(items) {
+    if (!items.some(u => u && u.role === ADMIN_ROLE_ID && u.passwordHash)) {
+        throw httpError(400, 'The first upload must include an administrator account');
+    }
+    state.users = items.map(user => {
+        const record = Object.assign({}, user);
+        delete record.password;
+        delete record.passwordSalt;
+        return record;
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Transactions
+// ---------------------------------------------------------------------------
+
+// Capabilities that allow recording a transaction (any of them)
+function transactionCapabilities(txn) {
+    if (txn.type === 'transfer') return ['manage_students', 'sort_students'];
+    if (txn.type === 'redemption') return ['redeem_rewards'];
+    // Adjustments only come from upgrading older data and backup imports
+    if (txn.type === 'adjustment') return [];
+    if (txn.studentId === null || txn.studentId === undefined) return ['award_house'];
+    return [txn.amount < 0 ? 'deduct' : 'award'];
+}
+
+// Check that the caller may record a transaction. Restoring a backup records
+// other people's history, so that needs the backups capability.
+function checkNewTransaction(caller, txn) {
+    if (can(caller, 'manage_backups')) return;
+    if (txn.teacherUsername !== caller.username) throw httpError(403, 'Transactions must be recorded under your own account');
+    if (!transactionCapabilities(txn).some(cap => can(caller, cap))) throw httpError(403, 'You may not record this transaction');
+    if (txn.status && txn.status !== 'pending' && !can(caller, 'approve_transactions')) {
+        throw httpError(403, 'You may not approve transactions');
+    }
+    if (txn.type === undefined) {
+        const student = state.students.find(s => s.id === txn.studentId);
+        if (student && !canAccessStudent(caller, student, state)) throw httpError(403, `You may not give points to ${student.name}`);
+        // A group award arrives one student at a time, each counted against
+        // the limits after the ones before it
+        const limitError = awardLimitError(state, caller, student ? [student] : [], txn.amount);
+        if (limitError) throw httpError(403, limitError);
+    }
+    // Over the approval threshold, an award only counts once it is approved
+    if (txn.type === undefined && needsApproval(state, caller, txn.amount)) txn.status = 'pending';
+    // An amendment takes over its original's review: rejected ones stay
+    // rejected, and pending ones still wait for approval
+    if (txn.amendsId !== undefined) {
+        const original = state.transactions.find(t => String(t.id) === String(txn.amendsId));
+        if (original && original.status === 'rejected') throw httpError(403, 'Rejected transactions cannot be amended');
+        if (original && original.status === 'pending' && !can(caller, 'approve_transactions')) txn.status = 'pending';
+    }
+}
+
+// Apply a review, void or restore sent for a stored transaction. Only the
+// status, review, voided and amendedById fields can change; the amount,
+// student, house and everything else stay as first recorded.
+function changeTransaction(caller, stored, txn) {
+    const updated = Object.assign({}, stored);
+    const now = new Date().toISOString();
+    if (txn.status !== stored.status || JSON.stringify(txn.review) !== JSON.stringify(stored.review)) {
+        if (!can(caller, 'approve_transactions')) throw httpError(403, 'You may not approve transactions');
+        if (stored.status !== 'pending' || stored.voided) throw httpError(409, 'This transaction is no longer waiting for approval');
+        if (txn.status !== 'approved' && txn.status !== 'rejected') throw httpError(400, 'A review must approve or reject the transaction');
+        const review = txn.review || {};
+        updated.status = txn.status;
+        updated.review = { by: caller.username, at: review.at || now, comment: String(review.comment || '') };
+    }
+    if (JSON.stringify(txn.voided) !== JSON.stringify(stored.voided) || txn.amendedById !== stored.amendedById) {
+        if (stored.type === 'transfer') throw httpError(409, 'Transfers are undone by moving the student back');
+        // Own transactions only, within the edit grace window, unless the
+        // caller can see every transaction
+        if (!canChangeTransaction(state, caller, stored)) {
+            throw httpError(403, 'You may not void or restore this transaction');
+        }
+        if (txn.voided) {
+            updated.voided = { by: caller.username, at: txn.voided.at || now, reason: String(txn.voided.reason || '') };
+        } else {
+            delete updated.voided;
+        }
+        if (txn.amendedById !== undefined && txn.amendedById !== null) updated.amendedById = txn.amendedById;
+        else delete updated.amendedById;
+    }
+    return updated;
+}
+
+async function handleApi(req, res, url) {
+    const parts = url.pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+    const [resource, id] = parts;
+
+    if (resource === 'health' && req.method === 'GET') {
+        return sendJson(res, 200, { ok: true });
+    }
+
+    if (resource === 'session' && !id) {
+        if (req.method === 'POST') {
+            const result = await signIn(await readBody(req));
+            return sendJson(res, 200, result);
+        }
+        if (req.method === 'DELETE') {
+            const token = req.headers['x-sync-session'];
+            if (token) delete state.sessions[hashToken(token)];
+            saveState(state);
+            return sendJson(res, 200, { ok: true });
+        }
+    }
+
+    if (resource === 'users' && !id && req.method === 'PUT' && state.users.length === 0) {
+        if (Object.keys(COLLECTIONS).concat('transactions').some(name => state[name].length > 0)) {
+            return sendJson(res, 409, { error: 'The sync server already has data; it can only be set up while empty' });
+        }
+        if (!tokenMatches(req.headers['x-sync-setup-code'] || '', SETUP_CODE)) {
+            return sendJson(res, 403, { error: 'Wrong setup code. It is shown where the sync server was started.' });
+        }
+        const items = await readBody(req);
+        if (!Array.isArray(items)) return sendJson(res, 400, { error: 'Expected an array of users' });
+        setUpAccounts(items);
+        saveState(state);
+        return sendJson(res, 200, publicCollection('users'));
+    }
+
+    const caller = sessionUser(req);
+    if (!caller) return sendJson(res, 401, { error: 'Sign in to sync', signIn: true });
+
+    if (resource in COLLECTIONS && !id) {
+        if (req.method === 'GET') return sendJson(res, 200, publicCollection(resource));
+        if (req.method === 'PATCH') {
+            // Only the records a device changed, so edits to other records
+            // made meanwhile on other devices are kept
+            const changes = await readBody(req);
+            if (!changes || !Array.isArray(changes.put) || !Array.isArray(changes.remove)) {
+                return sendJson(res, 400, { error: 'Expected { put, remove }' });
+            }
+            const key = resource === 'users' ? 'username' : 'id';
+            const removed = new Set(changes.remove.map(String));
+            const put = new Map(changes.put.map(item => [String(item[key]), item]));
+            const items = state[resource]
+                .filter(item => !removed.has(String(item[key])))
+                .map(item => put.get(String(item[key])) || item);
+            const existing = new Set(state[resource].map(item => String(item[key])));
+            put.forEach((item, itemKey) => {
+                if (!existing.has(itemKey) && !removed.has(itemKey)) items.push(item);
+            });
+            replaceCollection(caller, resource, items);
+            saveState(state);
+            return sendJson(res, 200, { ok: true });
+        }
+        if (req.method === 'PUT') {
+            const items = await readBody(req);
+            if (!Array.isArray(items)) return sendJson(res, 400, { error: `Expected an array of ${resource}` });
+            replaceCollection(caller, resource, items);
+            saveState(state);
+            return sendJson(res, 200, publicCollection(resource));
+        }
+    }
+
+    if (resource === 'users' && id && req.method === 'PUT') {
+        const user = await readBody(req);
+        const username = decodeURIComponent(id);
+        if (!user || user.username !== username) return sendJson(res, 400, { error: 'Username does not match' });
+        const idx = state.users.findIndex(u => u.username === username);
+        if (idx === -1) return sendJson(res, 404, { error: 'User not found' });
+        state.users[idx] = reviewUserChange(caller, state.users[idx], user);
+        saveState(state);
+        return sendJson(res, 200, publicUser(state.users[idx]));
+    }
+
+    if (resource === 'transactions') {
+        if (req.method === 'GET' && !id) {
+            const since = url.searchParams.get('since');
+            const txns = since ? state.transactions.filter(t => (t.receivedAt || '') > since) : state.transactions;
+            return sendJson(res, 200, txns);
+        }
+        if (req.method === 'POST' && !id) {
+            const txn = await readBody(req);
+            if (!txn || typeof txn.amount !== 'number') return sendJson(res, 400, { error: 'Transaction amount is required' });
+            // Clients generate ids, so a replayed transaction is recognised and kept once
+            const existing = txn.id !== undefined && txn.id !== null && state.transactions.find(t => String(t.id) === String(txn.id));
+            if (existing) return sendJson(res, 200, existing);
+            checkNewTransaction(caller, txn);
+            // House awards have no student, so check the house instead
+            if (txn.studentId === null || txn.studentId === undefined) {
+                if (!state.houses.some(h => h.id === txn.houseId)) return sendJson(res, 422, { error: 'Unknown house' });
+            } else if (!state.students.some(s => s.id === txn.studentId)) {
+                return sendJson(res, 422, { error: 'Unknown student' });
+            }
+            // Older clients do not send an id
+            if (txn.id === undefined || txn.id === null) txn.id = state.nextTransactionId++;
+            txn.receivedAt = new Date().toISOString();
+            state.transactions.push(txn);
+            recalculateTotals();
+            saveState(state);
+            return sendJson(res, 201, txn);
+        }
+        if (req.method === 'PUT' && id) {
+            const txn = await readBody(req);
+            const idx = state.transactions.findIndex(t => String(t.id) === id);
+            if (idx === -1) return sendJson(res, 404, { error: 'Transaction not found' });
+            if (!txn || String(txn.id) !== id) return sendJson(res, 400, { error: 'Transaction id does not match' });
+            const updated = changeTransaction(caller, state.transactions[idx], txn);
+            // A new receivedAt lets other devices pick up the change
+            updated.receivedAt = new Date().toISOString();
+            state.transactions[idx] = updated;
+            recalculateTotals();
+            saveState(state);
+            return sendJson(res, 200, updated);
+        }
+        if (req.method === 'DELETE' && id) {
+            if (!can(caller, 'manage_backups')) return sendJson(res, 403, { error: 'Only backup imports remove transactions' });
+            const idx = state.transactions.findIndex(t => String(t.id) === id);
+            if (idx === -1) return sendJson(res, 404, { error: 'Transaction not found' });
+            state.transactions.splice(idx, 1);
+            recalculateTotals();
+            saveState(state);
+            return sendJson(res, 200, { ok: true });
+        }
+    }
+
+    if (resource === 'settings' && !id) {
+        if (req.method === 'GET') return sendJson(res, 200, state.settings);
+        if (req.method === 'PATCH') {
+            // Only the settings a device changed, like the collections
+            if (!can(caller, 'manage_settings')) return sendJson(res, 403, { error: 'You may not change settings' });
+            const changes = await readBody(req);
+            if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return sendJson(res, 400, { error: 'Expected an object of settings' });
+            const known = Object.keys(changes).filter(key => key in DEFAULT_SETTINGS);
+            known.forEach(key => { state.settings[key] = changes[key]; });
+            state.settings = withDefaultSettings(state.settings);
+            saveState(state);
+            return sendJson(res, 200, state.settings);
+        }
+    }
+
+    if (resource === 'auditLog' && !id) {
+        if (req.method === 'GET') {
+            if (!can(caller, 'view_audit_log')) return sendJson(res, 403, { error: 'You do not have permission to view the audit log' });
+            const since = url.searchParams.get('since');
+            return sendJson(res, 200, since ? state.auditLog.filter(e => e.receivedAt > since) : state.auditLog);
+        }
+        if (req.method === 'POST') {
+            const entries = await readBody(req);
+            if (!Array.isArray(entries)) return sendJson(res, 400, { error: 'Expected an array of audit log entries' });
+            const known = new Set(state.auditLog.map(e => e.id));
+            const receivedAt = new Date().toISOString();
+            entries.forEach(entry => {
+                if (!entry || typeof entry.id !== 'string' || known.has(entry.id)) return;
+                known.add(entry.id);
+                state.auditLog.push({
+                    id: entry.id,
+                    at: String(entry.at),
+                    by: String(entry.by),
+                    entity: String(entry.entity),
+                    action: String(entry.action),
+                    summary: String(entry.summary),
+                    receivedAt,
+                    receivedBy: caller.username
+                });
+            });
+            saveState(state);
+            return sendJson(res, 200, { ok: true });
+        }
+    }
+
+    return sendJson(res, 404, { error: 'Not found' });
+}
+
+const server = http.createServer(async (req, res) => {
+    // The app is opened from disk or another origin, so allow cross-origin calls
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    // Requests are authorised by headers rather than cookies, so another web
+    // page cannot act on behalf of a signed-in device
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Sync-Token, X-Sync-Session, X-Sync-Setup-Code');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (!url.pathname.startsWith('/api')) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+    if (!tokenMatches(req.headers['x-sync-token'] || '', SYNC_TOKEN)) {
+        sendJson(res, 401, { error: 'Invalid sync token' });
+        return;
+    }
+    try {
+        await handleApi(req, res, url);
+    } catch (err) {
+        sendJson(res, err.status || 500, { error: err.message || 'Server error' });
+    }
+});
+
+reconcileOnce();
+
+server.listen(PORT, () => {
+    console.log(`House Points sync server listening on port ${PORT}`);
+    console.log(`Data file: ${DATA_FILE}`);
+    if (state.users.length === 0 && !process.env.SYNC_SETUP_CODE) {
+        console.log(`Setup code for the first administrator to turn on sync: ${SETUP_CODE}`);
+    }
+});